@@ -0,0 +1,63 @@
+/**
+ * ProtocolIntegration - conditional requests
+ * Run: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProtocolIntegration } = require('../protocol-integration.js');
+
+const PROFILE = { username: 'alice', last_updated: '2026-01-01T00:00:00Z', seeds: [] };
+
+/**
+ * fetch stand-in that records request headers
+ *
+ * @param {Function} [reject] - (headers) => true to fail like a rejected CORS preflight
+ * @returns {Function} fetch-compatible function with a `sent` list of header objects
+ */
+function recordingFetch(reject = () => false) {
+  const fetcher = async (url, init) => {
+    fetcher.sent.push(init.headers);
+    if (reject(init.headers)) throw new TypeError('Failed to fetch');
+    return {
+      ok: true,
+      status: 200,
+      headers: new Map([['ETag', '"v1"']]),
+      text: async () => JSON.stringify(PROFILE)
+    };
+  };
+  fetcher.sent = [];
+  return fetcher;
+}
+
+test('revalidation headers are sent by default', async () => {
+  const fetcher = recordingFetch();
+  const integration = new ProtocolIntegration('alice', { fetcher, autoRefresh: false, cache: false });
+  integration.payload = await integration.fetchProfile();
+  await integration.fetchProfile();
+
+  assert.equal(fetcher.sent[0]['If-None-Match'], undefined);
+  assert.equal(fetcher.sent[1]['If-None-Match'], '"v1"');
+  assert.equal(fetcher.sent[1]['If-Modified-Since'], new Date(PROFILE.last_updated).toUTCString());
+});
+
+test('an API that rejects the validator headers is retried without them', async () => {
+  const fetcher = recordingFetch(headers => 'If-None-Match' in headers);
+  const integration = new ProtocolIntegration('alice', { fetcher, autoRefresh: false, cache: false });
+  integration.payload = await integration.fetchProfile();
+
+  assert.deepEqual(await integration.fetchProfile(), PROFILE);
+  await integration.fetchProfile();
+
+  assert.equal(fetcher.sent.length, 4);
+  assert.equal('If-None-Match' in fetcher.sent[1], true);
+  assert.equal('If-None-Match' in fetcher.sent[2], false);
+  assert.equal('If-None-Match' in fetcher.sent[3], false);
+});
+
+test('network failures without validators are not retried', async () => {
+  const fetcher = recordingFetch(() => true);
+  const integration = new ProtocolIntegration('alice', { fetcher, autoRefresh: false, cache: false });
+
+  await assert.rejects(integration.fetchProfile(), TypeError);
+  assert.equal(fetcher.sent.length, 1);
+});
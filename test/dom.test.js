@@ -0,0 +1,149 @@
+/**
+ * ProtocolIntegration - browser behavior in a simulated DOM
+ * Run: node --test test/ (skipped unless jsdom is installed: npm install --no-save jsdom)
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+let JSDOM = null;
+try {
+  ({ JSDOM } = require('jsdom'));
+} catch (error) {
+  // Optional - the DOM tests are skipped without it
+}
+const skip = JSDOM ? false : 'jsdom is not installed';
+
+const { ProfileRenderer } = require('../protocol-integration.js');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'protocol-integration.js'), 'utf8');
+
+const PROFILE = {
+  username: 'alice',
+  fields: { current_state: { focus: 'Parsers' } },
+  seeds: [
+    { id: 1, text: 'First', created_at: '2026-01-02T00:00:00Z' },
+    { id: 2, text: 'Second', created_at: '2026-01-01T00:00:00Z' }
+  ],
+  contexts: [{ id: 7, name: 'Compilers', content: 'Notes' }]
+};
+
+/**
+ * Load the library into a fresh page
+ *
+ * @param {string} body - Body markup
+ * @param {Object} [options={}] - { profile, fetch, config, url }
+ * @returns {Object} { window, document, requests }
+ */
+function loadPage(body, options = {}) {
+  const dom = new JSDOM(`<!doctype html><html><body>${body}</body></html>`, {
+    runScripts: 'outside-only',
+    url: options.url || 'https://example.com/'
+  });
+  const { window } = dom;
+  const requests = [];
+  window.ProtocolMemoryConfig = options.config || { autoInit: false };
+  window.console.log = () => {};
+  window.fetch = options.fetch || (async (url) => {
+    requests.push(String(url));
+    const profile = options.profile || PROFILE;
+    return { ok: true, status: 200, headers: new Map(), text: async () => JSON.stringify(profile) };
+  });
+  window.eval(SOURCE);
+  return { window, document: window.document, requests };
+}
+
+const settle = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('autoInit skips a container already rooted by selector', { skip }, async () => {
+  const { window, document, requests } = loadPage(`
+    <div id="profile" data-pm-username="alice"><div data-pm-section="projects"></div></div>
+  `);
+  const { ProtocolIntegration } = window;
+
+  const manual = new ProtocolIntegration(null, { root: '#profile', autoRefresh: false, cache: false });
+  await manual.init();
+  const created = ProtocolIntegration.autoInit({ autoRefresh: false, cache: false });
+  await settle();
+
+  assert.equal(created.length, 0);
+  assert.equal(ProtocolIntegration.registry.get(document.getElementById('profile')), manual);
+  assert.equal(requests.length, 1);
+
+  manual.destroy();
+  ProtocolIntegration.observer.disconnect();
+  assert.equal(ProtocolIntegration.registry.has(document.getElementById('profile')), false);
+});
+
+test('<pm-profile> reports init failures as pm-error', { skip }, async () => {
+  const { window, document } = loadPage('');
+  window.ProtocolIntegration.prototype.init = async () => {
+    throw new Error('Profile not found');
+  };
+  const unhandled = [];
+  const onUnhandled = error => unhandled.push(error);
+  process.on('unhandledRejection', onUnhandled);
+
+  const element = document.createElement('pm-profile');
+  const errors = [];
+  element.addEventListener('pm-error', event => errors.push(event.detail.error.message));
+  element.setAttribute('username', 'nobody');
+  document.body.appendChild(element);
+  await settle();
+  process.off('unhandledRejection', onUnhandled);
+
+  assert.deepEqual(errors, ['Profile not found']);
+  assert.equal(unhandled.length, 0);
+  element.remove();
+});
+
+test('an unscoped instance leaves modal buttons of scoped instances alone', { skip }, async () => {
+  const bob = { ...PROFILE, username: 'bob', seeds: [{ id: 9, text: 'Bob seed', created_at: '2026-01-03T00:00:00Z' }] };
+  const { window, document } = loadPage(`
+    <div id="pm-projects"></div>
+    <div id="bob" data-pm-username="bob"><div data-pm-section="projects"></div></div>
+  `, {
+    fetch: async (url) => ({
+      ok: true,
+      status: 200,
+      headers: new Map(),
+      text: async () => JSON.stringify(String(url).endsWith('/bob') ? bob : PROFILE)
+    })
+  });
+  const { ProtocolIntegration } = window;
+
+  const scoped = new ProtocolIntegration(null, { root: '#bob', autoRefresh: false, cache: false, deepLink: false });
+  await scoped.init();
+  const page = new ProtocolIntegration('alice', { autoRefresh: false, cache: false, deepLink: false });
+  await page.init();
+
+  const bobButton = document.querySelector('#bob [data-modal-seed="0"]');
+  bobButton.click();
+
+  assert.equal(scoped.openModalState?.key, '9');
+  assert.equal(page.openModalState, null);
+  assert.equal(page.findModalTrigger('seed', 0), document.querySelector('#pm-projects [data-modal-seed="0"]'));
+
+  scoped.destroy();
+  page.destroy();
+});
+
+test('the first refresh after hydration keeps unchanged pre-rendered items', { skip }, async () => {
+  const renderer = new ProfileRenderer({ locale: 'en' });
+  const { window, document } = loadPage(`
+    <div id="pm-projects">${renderer.renderProjects(PROFILE.seeds)}</div>
+    <div id="pm-expertise">${renderer.renderExpertise(PROFILE.contexts)}</div>
+    ${renderer.renderDataScript(PROFILE)}
+  `);
+  const items = () => [...document.querySelectorAll('[data-pm-key]')];
+  const hydrated = items();
+  assert.equal(hydrated.length, 3);
+
+  const integration = new window.ProtocolIntegration('alice', { locale: 'en', autoRefresh: false, cache: false });
+  await integration.init();
+
+  assert.equal(items().length, 3);
+  items().forEach((node, index) => assert.equal(node, hydrated[index]));
+  integration.destroy();
+});
@@ -0,0 +1,75 @@
+/**
+ * ProfileFeed - entry text from the message catalog
+ * Run: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProfileFeed, ProfileRenderer } = require('../protocol-integration.js');
+
+const profile = {
+  username: 'ada',
+  fields: { identity: { name: 'Ada' }, current_state: { focus: 'Parsers' } },
+  seeds: [{ id: 1, status: 'active', priority: 'high', created_at: '2026-01-01T00:00:00Z' }]
+};
+
+const observeFocusChange = (feed) => {
+  feed.observe({ fields: { current_state: { focus: 'Lexers' } } }, new Date('2026-01-02T00:00:00Z'));
+  feed.observe(profile, new Date('2026-01-03T00:00:00Z'));
+};
+
+test('entries use the English catalog by default', () => {
+  const feed = new ProfileFeed();
+  observeFocusChange(feed);
+  const [focus, seed] = feed.items(profile);
+  const meta = feed.metadata(profile, [focus, seed]);
+
+  assert.equal(focus.title, 'Focus: Parsers');
+  assert.equal(focus.summary, 'Previously: Lexers');
+  assert.equal(seed.title, 'Untitled');
+  assert.equal(seed.summary, 'Status: active · Priority: high');
+  assert.equal(meta.title, 'Ada - Protocol Memory');
+  assert.equal(meta.description, 'Active work and focus of Ada');
+});
+
+test('entries follow the locale and message overrides', () => {
+  const messages = {
+    de: {
+      untitled: 'Ohne Titel',
+      feedTitle: '{name} bei Protocol Memory',
+      feedDescription: 'Woran {name} arbeitet',
+      feedStatus: 'Status: {status}',
+      feedPriority: 'Priorität: {priority}',
+      feedFocus: 'Fokus: {focus}',
+      feedPreviousFocus: 'Vorher: {focus}'
+    }
+  };
+  const feed = new ProfileFeed({ locale: 'de', messages });
+  observeFocusChange(feed);
+  const [focus, seed] = feed.items(profile);
+  const meta = feed.metadata(profile, [focus, seed]);
+
+  assert.equal(focus.title, 'Fokus: Parsers');
+  assert.equal(focus.summary, 'Vorher: Lexers');
+  assert.equal(seed.title, 'Ohne Titel');
+  assert.equal(seed.summary, 'Status: active · Priorität: high');
+  assert.equal(meta.title, 'Ada bei Protocol Memory');
+  assert.equal(meta.description, 'Woran Ada arbeitet');
+});
+
+test('a renderer can be shared with the feed', () => {
+  const renderer = new ProfileRenderer({ messages: { en: { feedFocus: 'Now: {focus}' } } });
+  const feed = new ProfileFeed({ renderer });
+  observeFocusChange(feed);
+  assert.equal(feed.items(profile)[0].title, 'Now: Parsers');
+});
+
+test('entry ids use the renderer seed key', () => {
+  const seed = { text: 'Untracked', created_at: '2026-01-01T00:00:00Z' };
+  assert.equal(new ProfileFeed().items({ username: 'ada', seeds: [seed] })[0].id,
+    `urn:protocol-memory:ada:seed:${encodeURIComponent(ProfileRenderer.seedKey(seed))}`);
+
+  const renderer = new ProfileRenderer();
+  renderer.seedKey = item => `custom-${item.text}`;
+  const feed = new ProfileFeed({ renderer });
+  assert.equal(feed.items({ username: 'ada', seeds: [seed] })[0].id, 'urn:protocol-memory:ada:seed:custom-Untracked');
+});
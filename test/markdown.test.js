@@ -0,0 +1,60 @@
+/**
+ * MarkdownRenderer - sanitizer tests
+ * Run: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MarkdownRenderer } = require('../protocol-integration.js');
+
+const markdown = new MarkdownRenderer();
+
+test('code spans inside link labels are kept', () => {
+  assert.equal(
+    markdown.render('[`code` label](https://x.com)'),
+    '<p><a href="https://x.com" target="_blank" rel="noopener noreferrer nofollow"><code>code</code> label</a></p>'
+  );
+  assert.equal(
+    markdown.render('[*a* `b`](/p) and `c`'),
+    '<p><a href="/p" target="_blank" rel="noopener noreferrer nofollow"><em>a</em> <code>b</code></a> and <code>c</code></p>'
+  );
+});
+
+test('code spans inside image alt text are kept as text', () => {
+  assert.equal(markdown.render('![`a` b](x.png)'), '<p><code>a</code> b</p>');
+});
+
+test('code span contents are escaped and not formatted', () => {
+  assert.equal(markdown.render('`<b>**x**</b>`'), '<p><code>&lt;b&gt;**x**&lt;/b&gt;</code></p>');
+});
+
+test('unsafe link schemes render the label only', () => {
+  assert.equal(markdown.render('[x](javascript:alert(1))'), '<p>x</p>');
+  assert.equal(markdown.render('[x](JavaScript:alert(1))'), '<p>x</p>');
+  assert.equal(markdown.isSafeUrl('java\tscript:alert(1)'), false);
+  assert.equal(markdown.isSafeUrl(' javascript:alert(1)'), false);
+  assert.equal(markdown.render('[x](data:text/html,hi)'), '<p>x</p>');
+  assert.equal(markdown.render('[x](vbscript:msgbox)'), '<p>x</p>');
+});
+
+test('safe link schemes are linked', () => {
+  assert.match(markdown.render('[mail](mailto:a@b.c)'), /<a href="mailto:a@b\.c"/);
+  assert.match(markdown.render('<https://x.com/a?b=1&c=2>'), /<a href="https:\/\/x\.com\/a\?b=1&amp;c=2"/);
+});
+
+test('link URLs cannot break out of the href attribute', () => {
+  const html = markdown.render('[x](https://x.com/"onmouseover="alert(1))');
+  assert.doesNotMatch(html, /"onmouseover=/);
+});
+
+test('raw HTML is escaped, never passed through', () => {
+  assert.equal(
+    markdown.render('<script>alert(1)</script> <b>x</b>'),
+    '<p>&lt;script&gt;alert(1)&lt;/script&gt; &lt;b&gt;x&lt;/b&gt;</p>'
+  );
+  assert.equal(markdown.render('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+  assert.doesNotMatch(markdown.render('[<img src=x onerror=alert(1)>](https://x.com)'), /<img/);
+});
+
+test('NUL characters in the source cannot forge placeholders', () => {
+  assert.equal(markdown.render('a\u00000\u0000b `c`'), '<p>a0b <code>c</code></p>');
+});
@@ -0,0 +1,50 @@
+/**
+ * ProfilePulse - ring updates outside the browser
+ * Run: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProfilePulse } = require('../protocol-integration.js');
+
+/**
+ * Minimal element with the DOM surface ProfilePulse touches
+ *
+ * @param {string} [className=''] - Class attribute
+ * @param {Array<Object>} [children=[]] - Child elements
+ * @returns {Object} Element stand-in
+ */
+function fakeElement(className = '', children = []) {
+  const classes = new Set(className.split(' ').filter(Boolean));
+  const properties = new Map();
+  return {
+    className,
+    dataset: {},
+    style: {
+      setProperty: (name, value) => properties.set(name, value),
+      removeProperty: name => properties.delete(name),
+      getPropertyValue: name => properties.get(name) || ''
+    },
+    classList: {
+      add: name => classes.add(name),
+      remove: name => classes.delete(name),
+      contains: name => classes.has(name),
+      toggle: (name, force) => (force ? classes.add(name) : classes.delete(name), force)
+    },
+    setAttribute() {},
+    querySelector: selector => (selector === '.pulse-ring' ? children[0] || null : null),
+    querySelectorAll: selector => (selector === '.pulse-ring' ? children : [])
+  };
+}
+
+test('update works without a window (Node, server rendering)', () => {
+  const rings = [fakeElement('pulse-ring pulse-ring-0'), fakeElement('pulse-ring pulse-ring-1')];
+  const container = fakeElement('', rings);
+  const pulse = new ProfilePulse(container, { maxRings: 2 });
+
+  const levels = pulse.update({ fields: { current_state: { energy: 'high' } } });
+
+  assert.equal(pulse.levels, levels);
+  assert.equal(container.dataset.pmPulse, levels.label);
+  assert.equal(container.style.getPropertyValue('--pm-pulse-intensity'), levels.intensity.toFixed(2));
+  assert.equal(rings[0].classList.contains('pm-pulse-off'), false);
+});
@@ -0,0 +1,84 @@
+/**
+ * ProfileRenderer - input normalization tests
+ * Run: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProfileRenderer, ProfileNormalizer } = require('../protocol-integration.js');
+
+const renderer = new ProfileRenderer();
+
+test('renderCurrentState accepts the legacy energy object', () => {
+  const html = renderer.renderCurrentState({
+    focus: 'Shipping',
+    energy: { display: 'High', updated_at: '2025-01-01T00:00:00Z' }
+  });
+  assert.ok(html.includes('High'));
+  assert.ok(!html.includes('[object Object]'));
+  assert.ok(html.includes('datetime="2025-01-01T00:00:00Z"'));
+});
+
+test('renderAbout reads tagline and bio from legacy identity fields', () => {
+  const html = renderer.renderAbout({ name: 'Ada', tagline: 'Legacy tagline', bio: 'Legacy bio' }, null, { username: 'ada' });
+  assert.ok(html.includes('Legacy tagline'));
+  assert.ok(html.includes('Legacy bio'));
+});
+
+test('renderProjects and renderExpertise accept raw lists', () => {
+  assert.ok(renderer.renderProjects([{ title: 'Legacy seed' }]).includes('Legacy seed'));
+  assert.ok(renderer.renderProjectsPage([{ title: 'Paged seed' }]).includes('Paged seed'));
+  assert.ok(renderer.renderExpertise([{ name: 'Compilers', content: 'Notes' }]).includes('Compilers'));
+  assert.equal(renderer.renderProjects(null), '');
+  assert.equal(renderer.renderExpertise('not a list'), '');
+});
+
+test('raw and normalized input render the same markup', () => {
+  const payload = {
+    username: 'ada',
+    fields: {
+      current_state: { focus: 'Shipping', energy: { display: 'High' } },
+      identity: { name: 'Ada', tagline: 'Tag', bio: 'Bio' }
+    },
+    seeds: [{ title: 'Seed', status: 'active', tags: 'a, b' }],
+    contexts: [{ name: 'Compilers', content: 'Notes' }]
+  };
+  const { profile } = ProfileNormalizer.normalize(payload);
+  const { fields } = profile;
+
+  assert.equal(renderer.renderCurrentState(payload.fields.current_state), renderer.renderCurrentState(fields.current_state));
+  assert.equal(
+    renderer.renderAbout(payload.fields.identity, payload.fields.about, payload),
+    renderer.renderAbout(fields.identity, fields.about, profile)
+  );
+  assert.equal(renderer.renderProjects(payload.seeds), renderer.renderProjects(profile.seeds));
+  assert.equal(renderer.renderExpertise(payload.contexts), renderer.renderExpertise(profile.contexts));
+});
+
+test('status, priority, type and attribution text come from the catalog', () => {
+  const german = new ProfileRenderer({
+    locale: 'de',
+    messages: {
+      de: {
+        statusActive: 'Aktiv',
+        statusInProgress: 'In Arbeit',
+        priorityHigh: 'Hoch',
+        typeCode: 'Programmierung',
+        poweredBy: 'Protokoll'
+      }
+    }
+  });
+  const seeds = [
+    { title: 'A', status: 'active', priority: 'high', type: 'code' },
+    { title: 'B', status: 'in-progress', type: 'custom' }
+  ];
+
+  assert.deepEqual(german.groupSeeds(seeds, 'status').map(group => group.label), ['Aktiv', 'In Arbeit']);
+  assert.deepEqual(german.groupSeeds(seeds, 'type').map(group => group.label), ['Programmierung', 'Custom']);
+  assert.ok(german.renderSeedTypeIcon('code').includes('aria-label="Programmierung"'));
+
+  const badges = german.renderSeedBadges(seeds[0], 'pm-badges');
+  assert.ok(badges.includes('class="pm-priority pm-priority-high">Hoch<'));
+  assert.ok(badges.includes('class="pm-status pm-status-active">Aktiv<'));
+  assert.ok(german.renderLastUpdated(new Date()).includes('>Protokoll</a>'));
+  assert.ok(renderer.renderLastUpdated(new Date()).includes('>Protocol Memory</a>'));
+});
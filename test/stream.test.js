@@ -0,0 +1,193 @@
+/**
+ * ProfileStream - live updates against a local Server-Sent Events server
+ * Run: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { ProtocolIntegration, ProfileStream } = require('../protocol-integration.js');
+
+/**
+ * Minimal EventSource over fetch streaming (Node has no global EventSource)
+ * Supports onopen/onmessage/onerror, named events and close()
+ */
+class FetchEventSource {
+  constructor(url) {
+    this.url = url;
+    this.listeners = new Map();
+    this.controller = new AbortController();
+    this.onopen = this.onmessage = this.onerror = null;
+    this.read().catch(() => this.onerror?.());
+  }
+
+  addEventListener(type, handler) {
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push(handler);
+  }
+
+  close() {
+    this.controller.abort();
+  }
+
+  async read() {
+    const response = await fetch(this.url, { signal: this.controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    this.onopen?.();
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        this.dispatch(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+      }
+    }
+    this.onerror?.();
+  }
+
+  dispatch(block) {
+    let type = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    const event = { data: data.join('\n') };
+    if (type === 'message') this.onmessage?.(event);
+    (this.listeners.get(type) || []).forEach(handler => handler(event));
+  }
+}
+
+/**
+ * Start an SSE server that sends the given blocks to each client
+ *
+ * @param {Array<string>} blocks - Raw SSE blocks (without the trailing blank line)
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startServer(blocks) {
+  const requests = [];
+  const responses = new Set();
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    responses.add(res);
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    blocks.forEach(block => res.write(`${block}\n\n`));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      responses.forEach(res => res.end());
+      server.close(resolve);
+    })
+  };
+}
+
+const waitFor = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const BLOCKS = [
+  `data: ${JSON.stringify({ type: 'snapshot', data: { username: 'alice', seeds: [] } })}`,
+  ': heartbeat',
+  'data: not json',
+  `event: patch\ndata: ${JSON.stringify({ set: { 'fields.current_state.focus': 'Shipping' } })}`
+];
+
+test('ProfileStream receives snapshot and named events over SSE', async (t) => {
+  const server = await startServer(BLOCKS);
+  t.after(() => server.close());
+
+  const messages = [];
+  let opened = false;
+  const stream = new ProfileStream(`${server.url}/alice`, {
+    EventSource: FetchEventSource,
+    onOpen: () => { opened = true; },
+    onMessage: message => messages.push(message)
+  });
+  stream.connect();
+  await waitFor(() => messages.length === 2);
+  stream.close();
+
+  assert.equal(opened, true);
+  assert.deepEqual(messages.map(message => message.type), ['snapshot', 'patch']);
+  assert.equal(messages[1].set['fields.current_state.focus'], 'Shipping');
+  assert.equal(stream.source, null);
+});
+
+test('ProtocolIntegration forwards the EventSource option to its stream', async (t) => {
+  const server = await startServer(BLOCKS);
+  t.after(() => server.close());
+
+  const integration = new ProtocolIntegration('alice', {
+    streamUrl: `${server.url}/stream`,
+    EventSource: FetchEventSource,
+    autoRefresh: false,
+    cache: false
+  });
+  const messages = [];
+  integration.applyStreamMessage = async message => messages.push(message);
+  const opened = new Promise(resolve => integration.on('stream:open', resolve));
+
+  integration.startStream();
+  const { transport } = await opened;
+  await waitFor(() => messages.length === 2);
+  integration.stopStream();
+
+  assert.equal(transport, 'sse');
+  assert.equal(integration.stream, null);
+  assert.deepEqual(server.requests, ['/stream/alice']);
+  assert.deepEqual(messages.map(message => message.type), ['snapshot', 'patch']);
+});
+
+test('streamTransport overrides detection from the URL scheme', () => {
+  const integration = new ProtocolIntegration('alice', {
+    streamUrl: 'https://example.com/ws',
+    streamTransport: 'websocket',
+    WebSocket: class {
+      close() {}
+    },
+    autoRefresh: false,
+    cache: false
+  });
+  integration.startStream();
+  assert.equal(integration.stream.transport, 'websocket');
+  integration.stopStream();
+});
+
+test('messages still queued when the instance is destroyed are dropped', async (t) => {
+  const server = await startServer(BLOCKS);
+  t.after(() => server.close());
+
+  const integration = new ProtocolIntegration('alice', {
+    streamUrl: server.url,
+    EventSource: FetchEventSource,
+    autoRefresh: false,
+    cache: false
+  });
+  const applied = [];
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  integration.applyStreamMessage = async message => {
+    applied.push(message.type);
+    await blocked;
+  };
+
+  integration.startStream();
+  await waitFor(() => applied.length === 1);
+  // Let the patch arrive and queue up behind the blocked snapshot
+  await new Promise(resolve => setTimeout(resolve, 50));
+  integration.destroy();
+  release();
+  await integration.streamQueue;
+
+  assert.deepEqual(applied, ['snapshot']);
+});